@@ -0,0 +1,29 @@
+-- Migration 003: Add receipts (boletas) sent as WhatsApp photos
+-- Description: Stores receipt images received over WhatsApp, the data extracted from them
+--              and links the resulting transactions to the receipt
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Create receipts table
+-- ============================================
+CREATE TABLE IF NOT EXISTS receipts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  media_url TEXT NOT NULL,
+  content_type VARCHAR(100),
+  extracted_data JSONB,
+  status VARCHAR(20) DEFAULT 'pending'
+    CHECK (status IN ('pending', 'confirmed', 'discarded')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_receipts_user_status ON receipts(user_id, status);
+
+-- ============================================
+-- 2. Link transactions to the receipt they came from
+-- ============================================
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS receipt_id INTEGER REFERENCES receipts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_receipt ON transactions(receipt_id);
@@ -0,0 +1,33 @@
+-- Migration 004: Add inbound messages log for idempotent webhook processing
+-- Description: Persists every Twilio MessageSid received on /webhook so retries are skipped,
+--              and ties transactions to the inbound message that created them
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Create inbound_messages table
+-- ============================================
+CREATE TABLE IF NOT EXISTS inbound_messages (
+  id SERIAL PRIMARY KEY,
+  message_sid VARCHAR(64) NOT NULL UNIQUE,
+  phone VARCHAR(20) NOT NULL,
+  body TEXT,
+  num_media INTEGER DEFAULT 0,
+  status VARCHAR(20) DEFAULT 'processing'
+    CHECK (status IN ('received', 'processing', 'processed', 'failed')),
+  attempts INTEGER DEFAULT 1,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  processed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_inbound_messages_phone ON inbound_messages(phone, created_at);
+CREATE INDEX IF NOT EXISTS idx_inbound_messages_status ON inbound_messages(status);
+
+-- ============================================
+-- 2. Link transactions to the inbound message that created them
+-- ============================================
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS inbound_message_id INTEGER REFERENCES inbound_messages(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_inbound_message ON transactions(inbound_message_id);
@@ -0,0 +1,35 @@
+-- Migration 005: Add message_jobs table (durable queue for inbound WhatsApp messages)
+-- Description: /webhook enqueues each inbound message and returns immediately; a worker loop
+--              processes jobs in order per phone, with retries, backoff and dead-lettering
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Create message_jobs table
+-- ============================================
+CREATE TABLE IF NOT EXISTS message_jobs (
+  id SERIAL PRIMARY KEY,
+  inbound_message_id INTEGER REFERENCES inbound_messages(id) ON DELETE SET NULL,
+  phone VARCHAR(20) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'done', 'failed', 'dead')),
+  attempts INTEGER DEFAULT 0,
+  last_error TEXT,
+  run_at TIMESTAMP DEFAULT NOW(),
+  locked_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- ============================================
+-- 2. Indexes for the worker (next runnable job, per-phone ordering)
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_message_jobs_runnable ON message_jobs(status, run_at)
+  WHERE status IN ('pending', 'failed', 'processing');
+CREATE INDEX IF NOT EXISTS idx_message_jobs_phone ON message_jobs(phone, id);
+
+-- ============================================
+-- 3. Inbound messages now start as 'received' until a worker picks them up
+-- ============================================
+ALTER TABLE inbound_messages ALTER COLUMN status SET DEFAULT 'received';
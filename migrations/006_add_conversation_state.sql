@@ -0,0 +1,68 @@
+-- Migration 006: Replace pending_fixed_expense_id sentinels with a conversation_state table
+-- Description: One typed multi-turn state per user (state name + JSON payload + expiry).
+--              Moves existing pending_fixed_expense_id values and pending receipts to the new
+--              table and drops the overloaded column
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Create conversation_state table
+-- ============================================
+CREATE TABLE IF NOT EXISTS conversation_state (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  state VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  expires_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_state_expires ON conversation_state(expires_at);
+
+-- ============================================
+-- 2. Migrate pending receipts (awaiting_receipt_confirmation)
+-- ============================================
+INSERT INTO conversation_state (user_id, state, payload, expires_at)
+SELECT DISTINCT ON (user_id)
+  user_id, 'awaiting_receipt_confirmation', jsonb_build_object('receipt_id', id),
+  created_at + INTERVAL '30 minutes'
+FROM receipts
+WHERE status = 'pending' AND created_at >= NOW() - INTERVAL '30 minutes'
+ORDER BY user_id, created_at DESC
+ON CONFLICT (user_id) DO NOTHING;
+
+-- ============================================
+-- 3. Migrate pending_fixed_expense_id sentinels
+-- ============================================
+-- -999        -> awaiting_reminder_response
+-- -998        -> awaiting_account_deletion
+-- < -2000     -> editing_transaction (transaction_id = -(value + 2000))
+-- other < 0   -> awaiting_fixed_suggestion (transaction_id = -value)
+-- > 0         -> editing_fixed_expense (fixed_expense_id = value)
+INSERT INTO conversation_state (user_id, state, payload, expires_at)
+SELECT
+  id,
+  CASE
+    WHEN pending_fixed_expense_id = -999 THEN 'awaiting_reminder_response'
+    WHEN pending_fixed_expense_id = -998 THEN 'awaiting_account_deletion'
+    WHEN pending_fixed_expense_id < -2000 THEN 'editing_transaction'
+    WHEN pending_fixed_expense_id < 0 THEN 'awaiting_fixed_suggestion'
+    ELSE 'editing_fixed_expense'
+  END,
+  CASE
+    WHEN pending_fixed_expense_id IN (-999, -998) THEN '{}'::jsonb
+    WHEN pending_fixed_expense_id < -2000 THEN jsonb_build_object('transaction_id', -(pending_fixed_expense_id + 2000))
+    WHEN pending_fixed_expense_id < 0 THEN jsonb_build_object('transaction_id', -pending_fixed_expense_id)
+    ELSE jsonb_build_object('fixed_expense_id', pending_fixed_expense_id)
+  END,
+  CASE
+    WHEN pending_fixed_expense_id = -999 THEN NOW() + INTERVAL '3 days'
+    ELSE NOW() + INTERVAL '30 minutes'
+  END
+FROM users
+WHERE pending_fixed_expense_id IS NOT NULL
+ON CONFLICT (user_id) DO NOTHING;
+
+-- ============================================
+-- 4. Drop the overloaded column
+-- ============================================
+ALTER TABLE users DROP COLUMN IF EXISTS pending_fixed_expense_id;
@@ -0,0 +1,33 @@
+-- Migration 007: Add outbound messages log for reliable WhatsApp delivery
+-- Description: Every message sent through sendWhatsApp is persisted with its delivery status.
+--              Transient Twilio errors are retried with backoff, and Twilio status callbacks
+--              (/webhook/status) update the status to delivered/read/failed/undelivered
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Create outbound_messages table
+-- ============================================
+CREATE TABLE IF NOT EXISTS outbound_messages (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(20) NOT NULL,
+  body TEXT,
+  status VARCHAR(20) DEFAULT 'queued'
+    CHECK (status IN ('queued', 'sent', 'delivered', 'read', 'failed', 'undelivered')),
+  twilio_sid VARCHAR(64) UNIQUE,
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at TIMESTAMP,
+  error_code VARCHAR(20),
+  error_message TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  sent_at TIMESTAMP,
+  delivered_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- ============================================
+-- 2. Indexes (retry sweeper, per-phone history, status reports)
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_retry ON outbound_messages(next_attempt_at)
+  WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_phone ON outbound_messages(phone, created_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_status ON outbound_messages(status, created_at);
@@ -0,0 +1,100 @@
+-- Migration 008: Add country, currency and locale to users
+-- Description: Phone numbers are stored in E.164 (+<código país><número>) and the country
+--              detected from the calling code drives the default currency and locale
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Add columns to users
+-- ============================================
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS country VARCHAR(2),
+ADD COLUMN IF NOT EXISTS currency VARCHAR(3),
+ADD COLUMN IF NOT EXISTS locale VARCHAR(10);
+
+-- ============================================
+-- 2. Normalize stored phone numbers to E.164
+-- ============================================
+-- Números sin "+": si ya traen el 56 se antepone "+", si no se asumen chilenos.
+-- Se omiten los que chocarían con un usuario existente (revisar a mano).
+UPDATE users u
+SET phone = normalized.phone
+FROM (
+  SELECT
+    id,
+    CASE
+      WHEN regexp_replace(phone, '\D', '', 'g') LIKE '56%'
+        AND length(regexp_replace(phone, '\D', '', 'g')) >= 11
+        THEN '+' || regexp_replace(phone, '\D', '', 'g')
+      ELSE '+56' || regexp_replace(regexp_replace(phone, '\D', '', 'g'), '^0+', '')
+    END AS phone
+  FROM users
+  WHERE phone NOT LIKE '+%'
+) normalized
+WHERE u.id = normalized.id
+  AND NOT EXISTS (SELECT 1 FROM users other WHERE other.phone = normalized.phone);
+
+-- ============================================
+-- 3. Backfill country from the calling code
+-- ============================================
+-- Los códigos de 3 dígitos van primero (598 antes que 59x, etc)
+UPDATE users
+SET country = CASE
+  WHEN phone LIKE '+598%' THEN 'UY'
+  WHEN phone LIKE '+595%' THEN 'PY'
+  WHEN phone LIKE '+593%' THEN 'EC'
+  WHEN phone LIKE '+591%' THEN 'BO'
+  WHEN phone LIKE '+56%' THEN 'CL'
+  WHEN phone LIKE '+54%' THEN 'AR'
+  WHEN phone LIKE '+51%' THEN 'PE'
+  WHEN phone LIKE '+57%' THEN 'CO'
+  WHEN phone LIKE '+52%' THEN 'MX'
+  WHEN phone LIKE '+55%' THEN 'BR'
+  WHEN phone LIKE '+58%' THEN 'VE'
+  WHEN phone LIKE '+34%' THEN 'ES'
+  WHEN phone LIKE '+1%' THEN 'US'
+  ELSE 'CL'
+END
+WHERE country IS NULL;
+
+-- ============================================
+-- 4. Backfill currency and locale from the country
+-- ============================================
+UPDATE users
+SET
+  currency = COALESCE(currency, CASE country
+    WHEN 'AR' THEN 'ARS'
+    WHEN 'PE' THEN 'PEN'
+    WHEN 'CO' THEN 'COP'
+    WHEN 'MX' THEN 'MXN'
+    WHEN 'UY' THEN 'UYU'
+    WHEN 'PY' THEN 'PYG'
+    WHEN 'BO' THEN 'BOB'
+    WHEN 'EC' THEN 'USD'
+    WHEN 'BR' THEN 'BRL'
+    WHEN 'VE' THEN 'VES'
+    WHEN 'ES' THEN 'EUR'
+    WHEN 'US' THEN 'USD'
+    ELSE 'CLP'
+  END),
+  locale = COALESCE(locale, CASE country
+    WHEN 'AR' THEN 'es-AR'
+    WHEN 'PE' THEN 'es-PE'
+    WHEN 'CO' THEN 'es-CO'
+    WHEN 'MX' THEN 'es-MX'
+    WHEN 'UY' THEN 'es-UY'
+    WHEN 'PY' THEN 'es-PY'
+    WHEN 'BO' THEN 'es-BO'
+    WHEN 'EC' THEN 'es-EC'
+    WHEN 'BR' THEN 'pt-BR'
+    WHEN 'VE' THEN 'es-VE'
+    WHEN 'ES' THEN 'es-ES'
+    WHEN 'US' THEN 'es-US'
+    ELSE 'es-CL'
+  END);
+
+-- ============================================
+-- 5. Defaults for new rows
+-- ============================================
+ALTER TABLE users ALTER COLUMN country SET DEFAULT 'CL';
+ALTER TABLE users ALTER COLUMN currency SET DEFAULT 'CLP';
+ALTER TABLE users ALTER COLUMN locale SET DEFAULT 'es-CL';
@@ -0,0 +1,21 @@
+-- Migration 009: Add conversation_turns (recent message history per user)
+-- Description: Rolling window of the latest inbound/outbound messages of each user, used as
+--              context when classifying follow-ups like "y ayer?" or "no, eran 8000"
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Create conversation_turns table
+-- ============================================
+CREATE TABLE IF NOT EXISTS conversation_turns (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  direction VARCHAR(10) NOT NULL
+    CHECK (direction IN ('inbound', 'outbound')),
+  body TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- ============================================
+-- 2. Index for "latest turns of a user"
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_conversation_turns_user ON conversation_turns(user_id, id DESC);
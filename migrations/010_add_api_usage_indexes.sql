@@ -0,0 +1,14 @@
+-- Migration 010: Add indexes to api_usage for cost breakdowns
+-- Description: The tracked costs endpoint aggregates api_usage by date range, request type
+--              and user (cost per active user, daily series)
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Index for date range scans
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_api_usage_created_at ON api_usage(created_at);
+
+-- ============================================
+-- 2. Index for per-user breakdowns
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_api_usage_user_created ON api_usage(user_id, created_at);
@@ -0,0 +1,26 @@
+-- Migration 011: Add prompt_injection_attempts (security log)
+-- Description: User text that tried to steer Claude ("ignora lo anterior...") and model
+--              outputs rejected by the output policy, for review from the admin dashboard
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Create prompt_injection_attempts table
+-- ============================================
+CREATE TABLE IF NOT EXISTS prompt_injection_attempts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  source VARCHAR(50) NOT NULL,             -- financial_advice, budget_tip, receipt_caption, ...
+  stage VARCHAR(10) NOT NULL
+    CHECK (stage IN ('input', 'output')),  -- input = texto del usuario, output = respuesta del modelo
+  reasons TEXT[] NOT NULL DEFAULT '{}',
+  action VARCHAR(20) NOT NULL
+    CHECK (action IN ('blocked', 'neutralized')),
+  content TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- ============================================
+-- 2. Indexes for the admin list
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_prompt_injection_attempts_created ON prompt_injection_attempts(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_prompt_injection_attempts_user ON prompt_injection_attempts(user_id, created_at DESC);
@@ -0,0 +1,37 @@
+-- Migration 012: Add timezone to users
+-- Description: Period boundaries ("hoy", "este mes") and the date of new transactions are
+--              computed in the user's timezone instead of the server's. The default comes from
+--              the country of the phone number (capital's timezone)
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Add column to users
+-- ============================================
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+-- ============================================
+-- 2. Backfill timezone from the country
+-- ============================================
+UPDATE users
+SET timezone = CASE country
+  WHEN 'AR' THEN 'America/Argentina/Buenos_Aires'
+  WHEN 'PE' THEN 'America/Lima'
+  WHEN 'CO' THEN 'America/Bogota'
+  WHEN 'MX' THEN 'America/Mexico_City'
+  WHEN 'UY' THEN 'America/Montevideo'
+  WHEN 'PY' THEN 'America/Asuncion'
+  WHEN 'BO' THEN 'America/La_Paz'
+  WHEN 'EC' THEN 'America/Guayaquil'
+  WHEN 'BR' THEN 'America/Sao_Paulo'
+  WHEN 'VE' THEN 'America/Caracas'
+  WHEN 'ES' THEN 'Europe/Madrid'
+  WHEN 'US' THEN 'America/New_York'
+  ELSE 'America/Santiago'
+END
+WHERE timezone IS NULL;
+
+-- ============================================
+-- 3. Default for new rows
+-- ============================================
+ALTER TABLE users ALTER COLUMN timezone SET DEFAULT 'America/Santiago';
@@ -0,0 +1,44 @@
+-- Migration 013: Add exchange rates and currency to transactions and fixed expenses
+-- Description: Expenses in another currency ("40 dólares en el hotel") keep the original amount
+--              and currency; amount stays in the user's base currency, converted with the rate
+--              of the transaction date. Rates are imported from a file or the admin endpoint
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Create exchange_rates table
+-- ============================================
+-- rate = unidades de base_currency por 1 unidad de currency (1 USD = 940 CLP)
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id SERIAL PRIMARY KEY,
+  currency VARCHAR(3) NOT NULL,
+  base_currency VARCHAR(3) NOT NULL DEFAULT 'CLP',
+  rate NUMERIC(18,6) NOT NULL CHECK (rate > 0),
+  rate_date DATE NOT NULL,
+  source VARCHAR(50),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (currency, base_currency, rate_date)
+);
+
+-- ============================================
+-- 2. Index for "latest rate on or before a date"
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_lookup
+  ON exchange_rates(currency, base_currency, rate_date DESC);
+
+-- ============================================
+-- 3. Add original currency to transactions
+-- ============================================
+-- NULL = la moneda base del usuario (amount es el monto original)
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS currency VARCHAR(3),
+ADD COLUMN IF NOT EXISTS original_amount DECIMAL(12,2),
+ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,6);
+
+-- ============================================
+-- 4. Add original currency to fixed expenses
+-- ============================================
+-- typical_amount queda en la moneda base (convertido la última vez que se registró)
+ALTER TABLE fixed_expenses
+ADD COLUMN IF NOT EXISTS currency VARCHAR(3),
+ADD COLUMN IF NOT EXISTS original_amount DECIMAL(12,2);
@@ -0,0 +1,27 @@
+-- Migration 014: Add unit_values (UF / UTM)
+-- Description: Chilean indexed units. Fixed expenses and transactions quoted in UF or UTM
+--              ("arriendo 15 UF") keep the amount in the unit (currency = 'UF' | 'UTM',
+--              original_amount) and the peso amount is recomputed with the value of the day
+--              (UF) or month (UTM). Values are loaded through the admin import
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Create unit_values table
+-- ============================================
+-- value = pesos chilenos por 1 unidad. La UTM se carga con value_date = primer día del mes
+CREATE TABLE IF NOT EXISTS unit_values (
+  id SERIAL PRIMARY KEY,
+  unit VARCHAR(3) NOT NULL
+    CHECK (unit IN ('UF', 'UTM')),
+  value_date DATE NOT NULL,
+  value NUMERIC(12,2) NOT NULL CHECK (value > 0),
+  source VARCHAR(50),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (unit, value_date)
+);
+
+-- ============================================
+-- 2. Index for "value of a unit on a date"
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_unit_values_lookup ON unit_values(unit, value_date DESC);
@@ -0,0 +1,54 @@
+-- Migration 015: Add accounts (payment methods) and transfers between own accounts
+-- Description: Each user has accounts (efectivo, débito, tarjeta de crédito, ahorro) and every
+--              transaction can say where the money came from (transactions.account_id). Transfers
+--              between own accounts ("pagué la tarjeta") live in account_transfers, outside
+--              transactions, so they never count as expenses or income
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Create accounts table
+-- ============================================
+-- initial_balance = saldo al crear la cuenta (en tarjetas de crédito, la deuda va en negativo)
+CREATE TABLE IF NOT EXISTS accounts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  type VARCHAR(10) NOT NULL
+    CHECK (type IN ('cash', 'debit', 'credit', 'savings')),
+  initial_balance DECIMAL(12,2) NOT NULL DEFAULT 0,
+  is_default BOOLEAN DEFAULT false,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (user_id, name)
+);
+
+-- Máximo una cuenta por defecto por usuario
+CREATE UNIQUE INDEX IF NOT EXISTS idx_accounts_default ON accounts(user_id) WHERE is_default = true;
+
+-- ============================================
+-- 2. Add account to transactions
+-- ============================================
+-- NULL = sin cuenta (transacciones anteriores a las cuentas o sin medio de pago indicado)
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_account ON transactions(account_id, date);
+
+-- ============================================
+-- 3. Create account_transfers table
+-- ============================================
+CREATE TABLE IF NOT EXISTS account_transfers (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  from_account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  to_account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+  description VARCHAR(255),
+  date DATE NOT NULL DEFAULT CURRENT_DATE,
+  inbound_message_id INTEGER REFERENCES inbound_messages(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  CHECK (from_account_id <> to_account_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_transfers_user ON account_transfers(user_id, date DESC);
+CREATE INDEX IF NOT EXISTS idx_account_transfers_inbound_message ON account_transfers(inbound_message_id);
@@ -0,0 +1,57 @@
+-- Migration 016: Add credit card billing cycles and installment purchases ("en cuotas")
+-- Description: A purchase "en 3 cuotas" is stored once in installment_purchases and generates one
+--              row per monthly charge in installment_charges. Each charge becomes a transaction only
+--              when its date arrives (booked_at), so budgets and the monthly projection only see
+--              the cuota of that month. Credit cards get a billing day and a due day
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Add billing cycle to accounts
+-- ============================================
+-- billing_day = día de facturación, due_day = día de pago (NULL = no configurado)
+ALTER TABLE accounts
+ADD COLUMN IF NOT EXISTS billing_day SMALLINT CHECK (billing_day BETWEEN 1 AND 31),
+ADD COLUMN IF NOT EXISTS due_day SMALLINT CHECK (due_day BETWEEN 1 AND 31);
+
+-- ============================================
+-- 2. Create installment_purchases table
+-- ============================================
+-- total_amount e installment_amount en la moneda del usuario (convertidos a la fecha de compra)
+CREATE TABLE IF NOT EXISTS installment_purchases (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL,
+  category_id INTEGER REFERENCES categories(id),
+  description VARCHAR(255),
+  total_amount DECIMAL(12,2) NOT NULL CHECK (total_amount > 0),
+  installments SMALLINT NOT NULL CHECK (installments BETWEEN 2 AND 48),
+  installment_amount DECIMAL(12,2) NOT NULL,
+  purchase_date DATE NOT NULL,
+  currency VARCHAR(3),
+  original_amount DECIMAL(12,2),
+  exchange_rate NUMERIC(18,6),
+  inbound_message_id INTEGER REFERENCES inbound_messages(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_installment_purchases_user ON installment_purchases(user_id, purchase_date DESC);
+CREATE INDEX IF NOT EXISTS idx_installment_purchases_inbound_message ON installment_purchases(inbound_message_id);
+
+-- ============================================
+-- 3. Create installment_charges table
+-- ============================================
+-- booked_at NULL = cuota por cobrar. transaction_id queda NULL si el usuario borra el gasto,
+-- pero booked_at se mantiene para no volver a registrarla
+CREATE TABLE IF NOT EXISTS installment_charges (
+  id SERIAL PRIMARY KEY,
+  purchase_id INTEGER NOT NULL REFERENCES installment_purchases(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  number SMALLINT NOT NULL,
+  amount DECIMAL(12,2) NOT NULL,
+  charge_date DATE NOT NULL,
+  transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+  booked_at TIMESTAMP,
+  UNIQUE (purchase_id, number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_installment_charges_pending ON installment_charges(user_id, charge_date) WHERE booked_at IS NULL;
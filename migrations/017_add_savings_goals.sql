@@ -0,0 +1,40 @@
+-- Migration 017: Add named savings goals and contributions
+-- Description: Besides the monthly users.savings_goal from onboarding, each user can have named
+--              goals ("vacaciones 1.500.000 para diciembre") with an optional target date.
+--              Contributions ("aparté 100 lucas para vacaciones") live in savings_contributions,
+--              outside transactions, so they never count as expenses
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Create savings_goals table
+-- ============================================
+-- target_date NULL = meta sin fecha. completed_at = cuándo se alcanzó el monto
+CREATE TABLE IF NOT EXISTS savings_goals (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  target_amount DECIMAL(12,2) NOT NULL CHECK (target_amount > 0),
+  target_date DATE,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_savings_goals_user ON savings_goals(user_id);
+
+-- ============================================
+-- 2. Create savings_contributions table
+-- ============================================
+-- amount negativo = retiro ("saqué 50 lucas de vacaciones")
+CREATE TABLE IF NOT EXISTS savings_contributions (
+  id SERIAL PRIMARY KEY,
+  goal_id INTEGER NOT NULL REFERENCES savings_goals(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  amount DECIMAL(12,2) NOT NULL CHECK (amount <> 0),
+  date DATE NOT NULL DEFAULT CURRENT_DATE,
+  inbound_message_id INTEGER REFERENCES inbound_messages(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_savings_contributions_goal ON savings_contributions(goal_id, date);
+CREATE INDEX IF NOT EXISTS idx_savings_contributions_inbound_message ON savings_contributions(inbound_message_id);
@@ -0,0 +1,23 @@
+-- Migration 018: Record which inbound messages were already answered
+-- Description: A message job can fail after its handler finished (e.g. while closing the job) and
+--              is then retried by the worker. replied_at marks that the handler finished and the
+--              user already got every answer for that message, so the retry is skipped instead of
+--              running the handler again (duplicate replies and state changes).
+--              conversation_turns keeps the inbound message id so the same message is never
+--              stored twice in the history
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Add replied_at to inbound_messages
+-- ============================================
+ALTER TABLE inbound_messages
+ADD COLUMN IF NOT EXISTS replied_at TIMESTAMP;
+
+-- ============================================
+-- 2. Link conversation turns to the inbound message
+-- ============================================
+ALTER TABLE conversation_turns
+ADD COLUMN IF NOT EXISTS inbound_message_id INTEGER REFERENCES inbound_messages(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversation_turns_inbound_message
+  ON conversation_turns(inbound_message_id) WHERE direction = 'inbound';
@@ -0,0 +1,13 @@
+-- Migration 019: Add original currency to savings contributions
+-- Description: "aparté 100 dólares para el viaje" is converted to the user's currency like a
+--              transaction; the original amount and rate are kept to show them in replies
+-- Date: 2026-10-19
+
+-- ============================================
+-- 1. Add currency columns to savings_contributions
+-- ============================================
+-- NULL = aporte en la moneda del usuario
+ALTER TABLE savings_contributions
+ADD COLUMN IF NOT EXISTS currency VARCHAR(3),
+ADD COLUMN IF NOT EXISTS original_amount DECIMAL(12,2),
+ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,6);
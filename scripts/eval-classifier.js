@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+// Evaluación offline del clasificador de intenciones (classifyIntent).
+//
+// Reproduce eval/golden.jsonl contra el clasificador y reporta precision/recall por intención
+// y exactitud por campo (amount, category, period, date). Sirve para juzgar cambios al system prompt
+// o a las reglas locales antes de hacer deploy.
+//
+// Modos:
+//   --mode replay  (default) usa respuestas grabadas en eval/recordings/classifier.json, sin API
+//   --mode record  llama a Claude y graba las respuestas (requiere ANTHROPIC_API_KEY)
+//   --mode live    llama a Claude sin grabar
+//
+// Opciones:
+//   --golden <ruta>        dataset (default eval/golden.jsonl)
+//   --recordings <ruta>    archivo de grabaciones (default eval/recordings/classifier.json)
+//   --no-local             no usar las reglas locales (todo pasa por Claude)
+//   --only <prefijo>       solo casos cuyo id empieza con el prefijo (ej: "q-")
+//   --json <ruta>          guardar el reporte completo en JSON
+//   --min-accuracy <0-100> exit code 1 si la exactitud de intención queda bajo el umbral
+//   --verbose              mostrar los logs del servidor
+//
+// Formato de golden.jsonl (una línea por caso):
+//   { "id": "tx-001", "message": "gasté 5 lucas en almuerzo",
+//     "history": [{ "direction": "inbound"|"outbound", "body": "..." }],   (opcional)
+//     "expected": { "type": "TRANSACTION", "data": { "amount": 5000, "category": "comida" } } }
+// Solo se comparan los campos presentes en expected.data. Para MULTIPLE_TRANSACTIONS,
+// "amounts" se compara contra los montos de data.transactions (sin importar el orden).
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+
+const args = process.argv.slice(2);
+const options = {
+  mode: 'replay',
+  golden: path.join(ROOT, 'eval', 'golden.jsonl'),
+  recordings: path.join(ROOT, 'eval', 'recordings', 'classifier.json'),
+  categories: path.join(ROOT, 'eval', 'categories.json'),
+  localRules: true,
+  only: null,
+  json: null,
+  minAccuracy: null,
+  verbose: false
+};
+
+for (let i = 0; i < args.length; i++) {
+  switch (args[i]) {
+    case '--mode': options.mode = args[++i]; break;
+    case '--golden': options.golden = path.resolve(args[++i]); break;
+    case '--recordings': options.recordings = path.resolve(args[++i]); break;
+    case '--no-local': options.localRules = false; break;
+    case '--only': options.only = args[++i]; break;
+    case '--json': options.json = path.resolve(args[++i]); break;
+    case '--min-accuracy': options.minAccuracy = parseFloat(args[++i]); break;
+    case '--verbose': options.verbose = true; break;
+    default:
+      console.error(`❌ Opción desconocida: ${args[i]}`);
+      process.exit(1);
+  }
+}
+
+if (!['replay', 'record', 'live'].includes(options.mode)) {
+  console.error(`❌ --mode debe ser replay, record o live (recibido: ${options.mode})`);
+  process.exit(1);
+}
+
+// En replay no se necesitan credenciales reales: el cliente de Anthropic nunca llama a la API
+// y sin Twilio se evita crear su cliente al importar server.js
+if (options.mode === 'replay' && !process.env.ANTHROPIC_API_KEY) {
+  process.env.ANTHROPIC_API_KEY = 'replay';
+}
+if (!process.env.TWILIO_ACCOUNT_SID) {
+  process.env.SIMULATOR_MODE = 'true';
+}
+delete process.env.ANTHROPIC_STUB;
+
+const server = require('../server');
+const { anthropic, classifyIntent, preClassifyIntent, pool } = server;
+
+const hash = (value) => crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+
+function loadGolden(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('//'))
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${path.basename(file)} línea ${i + 1}: ${error.message}`);
+      }
+    });
+}
+
+function loadRecordings(file) {
+  if (!fs.existsSync(file)) return { system_hash: null, responses: {} };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Reemplazar anthropic.messages.create para grabar o reproducir respuestas.
+// La clave es el hash de los mensajes enviados (mensaje + historial + reintento de reparación)
+function installRecorder(recordings, stats) {
+  const create = anthropic.messages.create.bind(anthropic.messages);
+
+  anthropic.messages.create = async (params, requestOptions) => {
+    const key = hash(params.messages);
+    const systemHash = hash(params.system);
+
+    if (options.mode === 'replay') {
+      if (recordings.system_hash && recordings.system_hash !== systemHash) {
+        stats.staleSystemPrompt = true;
+      }
+      const recorded = recordings.responses[key];
+      if (!recorded) {
+        stats.missingRecordings++;
+        // Con status 4xx callLLM no reintenta ni abre el circuito: el caso queda como OTHER
+        const error = new Error('No recorded response for this request');
+        error.status = 404;
+        throw error;
+      }
+      return {
+        content: [{ type: 'text', text: recorded.text }],
+        usage: recorded.usage || { input_tokens: 0, output_tokens: 0 }
+      };
+    }
+
+    const response = await create(params, requestOptions);
+    stats.apiCalls++;
+
+    if (options.mode === 'record') {
+      const last = params.messages[params.messages.length - 1];
+      recordings.system_hash = systemHash;
+      recordings.model = params.model;
+      recordings.responses[key] = {
+        message: typeof last.content === 'string' ? last.content : last.content.map(b => b.text).pop(),
+        text: response.content?.[0]?.text || '',
+        usage: response.usage
+      };
+    }
+
+    return response;
+  };
+}
+
+// Comparar un campo esperado con lo predicho
+function fieldMatches(field, expected, predictedData) {
+  if (field === 'amounts') {
+    const amounts = (predictedData.transactions || []).map(tx => Number(tx.amount)).sort((a, b) => a - b);
+    const wanted = [...expected].map(Number).sort((a, b) => a - b);
+    return JSON.stringify(amounts) === JSON.stringify(wanted);
+  }
+
+  // Fechas: se compara la fecha resuelta ("el sábado" y "sábado" son el mismo día)
+  if (field === 'date') {
+    const predicted = server.resolveTransactionDate(predictedData.date || '').date;
+    return Boolean(predicted) && predicted === server.resolveTransactionDate(expected).date;
+  }
+
+  // Cuentas: se compara el tipo ("la tarjeta" y "tarjeta de crédito" son la misma)
+  if (['account', 'from_account', 'to_account'].includes(field)) {
+    const predicted = server.inferAccountType(predictedData[field] || '');
+    return Boolean(predicted) && predicted === server.inferAccountType(expected);
+  }
+
+  const value = predictedData[field];
+  if (typeof expected === 'number') return Number(value) === expected;
+  if (typeof expected === 'string') return String(value || '').toLowerCase() === expected.toLowerCase();
+  return value === expected;
+}
+
+function percent(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 10 : null;
+}
+
+function formatPercent(value) {
+  return value === null ? '   -  ' : `${value.toFixed(1).padStart(5)}%`;
+}
+
+async function main() {
+  const categories = JSON.parse(fs.readFileSync(options.categories, 'utf8'));
+  let cases = loadGolden(options.golden);
+  if (options.only) cases = cases.filter(c => c.id.startsWith(options.only));
+
+  const recordings = loadRecordings(options.recordings);
+  const stats = { apiCalls: 0, missingRecordings: 0, staleSystemPrompt: false };
+  installRecorder(recordings, stats);
+
+  // Silenciar los logs del servidor salvo --verbose
+  const originalLog = console.log;
+  const originalError = console.error;
+  const mute = () => {
+    if (!options.verbose) {
+      console.log = () => {};
+      console.error = () => {};
+    }
+  };
+  const unmute = () => {
+    console.log = originalLog;
+    console.error = originalError;
+  };
+
+  originalLog(`🧪 Evaluando ${cases.length} casos (modo ${options.mode}${options.localRules ? '' : ', sin reglas locales'})\n`);
+
+  const results = [];
+  for (const testCase of cases) {
+    const history = (testCase.history || []).map(turn => ({ ...turn, created_at: new Date() }));
+    const usedLocalRules = options.localRules && !!preClassifyIntent(testCase.message, categories.expense);
+
+    mute();
+    let predicted;
+    try {
+      predicted = await classifyIntent(testCase.message, null, {
+        history,
+        categories,
+        localRules: options.localRules,
+        trackUsage: false
+      });
+    } finally {
+      unmute();
+    }
+
+    const expectedData = testCase.expected.data || {};
+    const typeCorrect = predicted.type === testCase.expected.type;
+    const fields = {};
+    for (const [field, value] of Object.entries(expectedData)) {
+      fields[field] = typeCorrect && fieldMatches(field, value, predicted.data || {});
+    }
+
+    results.push({
+      id: testCase.id,
+      message: testCase.message,
+      expected: testCase.expected,
+      predicted: { type: predicted.type, data: predicted.data, confidence: predicted.confidence },
+      path: usedLocalRules ? 'local' : 'claude',
+      typeCorrect,
+      fields
+    });
+  }
+
+  if (options.mode === 'record') {
+    fs.mkdirSync(path.dirname(options.recordings), { recursive: true });
+    fs.writeFileSync(options.recordings, JSON.stringify(recordings, null, 2) + '\n');
+  }
+
+  // Precision / recall por intención
+  const intents = [...new Set(results.flatMap(r => [r.expected.type, r.predicted.type]))].sort();
+  const perIntent = intents.map(intent => {
+    const truePositives = results.filter(r => r.expected.type === intent && r.predicted.type === intent).length;
+    const predictedCount = results.filter(r => r.predicted.type === intent).length;
+    const support = results.filter(r => r.expected.type === intent).length;
+    const precision = percent(truePositives, predictedCount);
+    const recall = percent(truePositives, support);
+    const f1 = precision !== null && recall !== null && precision + recall > 0
+      ? Math.round((2 * precision * recall / (precision + recall)) * 10) / 10
+      : null;
+    return { intent, support, predicted: predictedCount, precision, recall, f1 };
+  });
+
+  // Exactitud por campo (solo casos que definen el campo)
+  const fieldNames = ['amount', 'amounts', 'category', 'period', 'date', 'currency', 'account', 'from_account', 'to_account', 'installments', 'billing_day', 'due_day', 'target_amount', 'goal', 'new_name', 'is_withdrawal', 'is_income', 'is_fixed', 'detail', 'index', 'day'];
+  const perField = {};
+  for (const field of fieldNames) {
+    const relevant = results.filter(r => field in r.fields);
+    if (relevant.length === 0) continue;
+    const correct = relevant.filter(r => r.fields[field]).length;
+    perField[field] = { correct, total: relevant.length, accuracy: percent(correct, relevant.length) };
+  }
+
+  const correctTypes = results.filter(r => r.typeCorrect).length;
+  const accuracy = percent(correctTypes, results.length);
+  const localCount = results.filter(r => r.path === 'local').length;
+
+  console.log(`Intención: ${correctTypes}/${results.length} correctas (${formatPercent(accuracy).trim()})`);
+  console.log(`Camino: ${localCount} reglas locales · ${results.length - localCount} Claude` +
+    (options.mode === 'replay' ? ` · ${stats.missingRecordings} sin grabación` : ` · ${stats.apiCalls} llamadas a la API`));
+  if (stats.staleSystemPrompt) {
+    console.log('⚠️  El system prompt cambió desde la grabación: re-grabar con --mode record para evaluar el prompt nuevo');
+  }
+
+  console.log(`\n${'Intención'.padEnd(26)} Casos  Pred.  Precision  Recall     F1`);
+  for (const row of perIntent) {
+    console.log(
+      `${row.intent.padEnd(26)} ${String(row.support).padStart(5)}  ${String(row.predicted).padStart(5)}` +
+      `     ${formatPercent(row.precision)}  ${formatPercent(row.recall)}  ${formatPercent(row.f1)}`
+    );
+  }
+
+  console.log(`\n${'Campo'.padEnd(14)} Correctos  Exactitud`);
+  for (const [field, row] of Object.entries(perField)) {
+    console.log(`${field.padEnd(14)} ${`${row.correct}/${row.total}`.padStart(9)}     ${formatPercent(row.accuracy)}`);
+  }
+
+  const failures = results.filter(r => !r.typeCorrect || Object.values(r.fields).some(ok => !ok));
+  if (failures.length > 0) {
+    console.log(`\n❌ Errores (${failures.length}):`);
+    for (const r of failures) {
+      const wrongFields = Object.entries(r.fields).filter(([, ok]) => !ok).map(([field]) => field);
+      console.log(`  ${r.id} [${r.path}] "${r.message}"`);
+      console.log(`    esperado: ${JSON.stringify(r.expected)}`);
+      console.log(`    obtenido: ${JSON.stringify({ type: r.predicted.type, data: r.predicted.data })}` +
+        (r.typeCorrect ? `  (campos: ${wrongFields.join(', ')})` : ''));
+    }
+  }
+
+  if (options.json) {
+    fs.writeFileSync(options.json, JSON.stringify({
+      mode: options.mode,
+      localRules: options.localRules,
+      accuracy,
+      paths: { local: localCount, claude: results.length - localCount },
+      missingRecordings: stats.missingRecordings,
+      staleSystemPrompt: stats.staleSystemPrompt,
+      perIntent,
+      perField,
+      results
+    }, null, 2) + '\n');
+    console.log(`\n📄 Reporte guardado en ${options.json}`);
+  }
+
+  if (options.minAccuracy !== null && accuracy < options.minAccuracy) {
+    console.log(`\n❌ Exactitud ${accuracy}% bajo el mínimo ${options.minAccuracy}%`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Eval error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
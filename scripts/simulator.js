@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+// Simulador de chat por consola: conversa con el bot sin Twilio.
+//
+// Requiere el servidor corriendo con SIMULATOR_MODE=true (y opcionalmente
+// ANTHROPIC_STUB=scripts/fixtures/anthropic-stub.json para respuestas deterministas).
+//
+// Uso:
+//   npm run simulator                                   → chat interactivo
+//   npm run simulator -- --phone +5491123456789         → como otro número
+//   npm run simulator -- "gasté 5000 en uber"           → un mensaje y salir
+//   npm run simulator -- --script scripts/fixtures/simulator-followup.json
+//                                                       → conversación con respuestas esperadas
+//
+// Un script es { "steps": [{ "message": "...", "expect": "regex" }] }: se envía cada mensaje en
+// orden desde un teléfono nuevo (para partir del onboarding) y se revisa que alguna respuesta
+// calce con "expect". Termina con exit code 1 si algún paso falla
+//
+// Comandos en el chat: /phone +56..., /foto <url>, /audio <url>, /salir
+require('dotenv').config();
+const axios = require('axios');
+const readline = require('readline');
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+let phone = process.env.SIMULATOR_PHONE || '+56900000001';
+let baseUrl = process.env.SIMULATOR_URL || `http://localhost:${process.env.PORT || 3000}`;
+const oneShot = [];
+let scriptPath = null;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--phone') {
+    phone = args[++i];
+  } else if (args[i] === '--url') {
+    baseUrl = args[++i];
+  } else if (args[i] === '--script') {
+    scriptPath = args[++i];
+  } else {
+    oneShot.push(args[i]);
+  }
+}
+
+async function send(message, media = []) {
+  const response = await axios.post(`${baseUrl}/simulator/message`, { phone, message, media });
+  phone = response.data.phone;
+  printReplies(response.data.replies);
+  return response.data.replies;
+}
+
+function printReplies(replies) {
+  if (replies.length === 0) {
+    console.log('🤖 (sin respuesta)');
+  }
+  for (const reply of replies) {
+    console.log(`🤖 ${reply.split('\n').join('\n   ')}\n`);
+  }
+}
+
+function describeError(error) {
+  if (error.response) {
+    return `${error.response.status} ${JSON.stringify(error.response.data)}`;
+  }
+  if (error.code === 'ECONNREFUSED') {
+    return `no se pudo conectar a ${baseUrl} (¿servidor corriendo con SIMULATOR_MODE=true?)`;
+  }
+  return error.message;
+}
+
+async function runScript(file) {
+  const { steps } = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  phone = `+569${String(Math.floor(Math.random() * 1e8)).padStart(8, '0')}`;
+  console.log(`📜 ${file} → ${phone}\n`);
+
+  let failures = 0;
+  for (const step of steps) {
+    console.log(`👤 ${step.message}`);
+    const replies = await send(step.message);
+    if (step.expect && !replies.some(reply => new RegExp(step.expect, 'i').test(reply))) {
+      failures++;
+      console.log(`❌ Ninguna respuesta calza con /${step.expect}/\n`);
+    }
+  }
+
+  console.log(failures === 0 ? '✅ Script OK' : `❌ ${failures} paso(s) fallaron`);
+  if (failures > 0) process.exitCode = 1;
+}
+
+async function main() {
+  if (scriptPath) {
+    await runScript(scriptPath);
+    return;
+  }
+
+  if (oneShot.length > 0) {
+    await send(oneShot.join(' '));
+    return;
+  }
+
+  console.log(`💬 Simulador Ordenate → ${baseUrl}`);
+  console.log(`📱 Teléfono: ${phone} (cambiar con /phone +56...)\n`);
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '👤 ' });
+  rl.prompt();
+
+  for await (const line of rl) {
+    const text = line.trim();
+
+    try {
+      if (text === '/salir' || text === '/exit') {
+        break;
+      } else if (text.startsWith('/phone ')) {
+        phone = text.slice('/phone '.length).trim();
+        console.log(`📱 Teléfono: ${phone}`);
+      } else if (text.startsWith('/foto ')) {
+        await send('', [{ url: text.slice('/foto '.length).trim(), contentType: 'image/jpeg' }]);
+      } else if (text.startsWith('/audio ')) {
+        await send('', [{ url: text.slice('/audio '.length).trim(), contentType: 'audio/ogg' }]);
+      } else if (text) {
+        await send(text);
+      }
+    } catch (error) {
+      console.error(`❌ ${describeError(error)}`);
+    }
+
+    rl.prompt();
+  }
+
+  rl.close();
+}
+
+main().catch(error => {
+  console.error(`❌ ${describeError(error)}`);
+  process.exit(1);
+});